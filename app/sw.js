@@ -0,0 +1,195 @@
+// Service worker: offline-first copy of the app shell, every algorithm listed
+// in algorithms/index.json, the formularies, card media and icons.
+// Requests are answered from the cache first. Each cached response is then
+// refreshed in the background, and open pages are told when guideline content
+// changed, so they can show the "new guideline version available" prompt
+// (see GUIDELINE UPDATES in index.html).
+const CACHE_NAME = 'resus-handbook-v1';
+const APP_SHELL = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'algorithms/index.json',
+    'formulary/index.json',
+    'fhir/r4-definitions.json',
+    'icons/decision-tree-svgrepo-com-lower-section.svg',
+    'icons/decision-tree-svgrepo-com-upper-section.svg',
+    'icons/first-aid-kit-2-svgrepo-com.png',
+    'icons/first-aid-kit-2-svgrepo-com.svg',
+    'icons/fullscreen-exit-svgrepo-com.svg',
+    'icons/fullscreen-svgrepo-com.svg',
+    'icons/search-tool-symbol-svgrepo-com.svg',
+];
+// Changes to algorithm decks are guideline changes the user is told about;
+// anything else that changed is simply served fresh on the next load
+const GUIDELINE_PATH_RE = /\/algorithms\/[^/]+\.json$/;
+const REFRESH_INTERVAL_MS = 60 * 1000; // At most one background check per URL per minute
+const NOTIFY_DELAY_MS = 1000;          // Collect changes from one page load into a single prompt
+
+const lastRefreshed = new Map();
+let pendingChanges = [];
+let notifyTimer = null;
+
+function scopeUrl(path) {
+    return new URL(path, self.registration.scope).href;
+}
+
+function safeFileName(value) {
+    const text = String(value || '').trim();
+    return /^[a-zA-Z0-9._-]+\.json$/.test(text) ? text : null;
+}
+
+/** Every "src" in an algorithm that points at the media folder (mirrors mediaUrl() in index.html). */
+function collectMedia(node, out) {
+    if (Array.isArray(node)) {
+        node.forEach((value) => collectMedia(value, out));
+    } else if (node && typeof node === 'object') {
+        Object.keys(node).forEach((key) => {
+            const value = node[key];
+            if (key === 'src' && typeof value === 'string' && !/^https?:\/\//i.test(value)) {
+                const file = value.replace(/^\.?\//, '').replace(/^media\//, '');
+                if (!file.split('/').includes('..')) out.add(`media/${file}`);
+            } else {
+                collectMedia(value, out);
+            }
+        });
+    }
+    return out;
+}
+
+async function readJson(cache, path) {
+    const res = await cache.match(scopeUrl(path));
+    return res ? res.json() : null;
+}
+
+/** Files named by the cached indexes: algorithms, formularies and the media the algorithms use. */
+async function listedFiles(cache) {
+    const files = new Set();
+    const algorithmIndex = await readJson(cache, 'algorithms/index.json');
+    const algorithmFiles = (algorithmIndex && Array.isArray(algorithmIndex.algorithms) ? algorithmIndex.algorithms : [])
+        .map((row) => safeFileName(row && row.file))
+        .filter(Boolean);
+    for (const file of algorithmFiles) {
+        files.add(`algorithms/${file}`);
+        const algorithm = await readJson(cache, `algorithms/${file}`).catch(() => null);
+        if (algorithm) collectMedia(algorithm, files);
+    }
+    const formularyIndex = await readJson(cache, 'formulary/index.json');
+    (formularyIndex && Array.isArray(formularyIndex.formularies) ? formularyIndex.formularies : [])
+        .map((row) => safeFileName(row && row.file))
+        .filter(Boolean)
+        .forEach((file) => files.add(`formulary/${file}`));
+    return [...files];
+}
+
+/** Fetch and store anything listed that is not cached yet. One missing file must not stop the rest. */
+async function precacheListed(cache) {
+    let added = true;
+    // Algorithms are read from the cache to find their media, so repeat until nothing new turns up
+    while (added) {
+        added = false;
+        for (const path of await listedFiles(cache)) {
+            if (await cache.match(scopeUrl(path))) continue;
+            try {
+                const res = await fetch(scopeUrl(path), { cache: 'no-store' });
+                if (!res.ok) throw new Error(`HTTP ${res.status}`);
+                await cache.put(scopeUrl(path), res);
+                added = true;
+            } catch (err) {
+                console.warn(`Offline cache: could not fetch ${path} (${err.message})`);
+            }
+        }
+    }
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        await cache.addAll(APP_SHELL.map((path) => new Request(scopeUrl(path), { cache: 'no-store' })));
+        await precacheListed(cache);
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names.filter((name) => name !== CACHE_NAME).map((name) => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+function queueChangeNotice(path) {
+    if (!pendingChanges.includes(path)) pendingChanges.push(path);
+    if (notifyTimer) return;
+    notifyTimer = setTimeout(async () => {
+        const files = pendingChanges;
+        pendingChanges = [];
+        notifyTimer = null;
+        const clients = await self.clients.matchAll({ type: 'window' });
+        clients.forEach((client) => client.postMessage({ type: 'guideline-update', files }));
+    }, NOTIFY_DELAY_MS);
+}
+
+/** Background revalidation: replace the cached copy when the network copy differs. */
+async function refreshCached(cache, url) {
+    const now = Date.now();
+    if (now - (lastRefreshed.get(url) || 0) < REFRESH_INTERVAL_MS) return;
+    lastRefreshed.set(url, now);
+
+    let fresh;
+    try {
+        fresh = await fetch(url, { cache: 'no-store' });
+    } catch {
+        return; // Offline: the cached copy stays authoritative
+    }
+    if (!fresh.ok) return;
+    const cached = await cache.match(url);
+    const [freshText, cachedText] = await Promise.all([
+        fresh.clone().text(),
+        cached ? cached.text() : Promise.resolve(null),
+    ]);
+    if (freshText === cachedText) return;
+
+    await cache.put(url, fresh);
+    const path = new URL(url).pathname;
+    // A new index may list algorithms or media that are not cached yet
+    if (/\/(algorithms|formulary)\/index\.json$/.test(path)) await precacheListed(cache);
+    if (cached && GUIDELINE_PATH_RE.test(path)) queueChangeNotice(path);
+}
+
+/** Navigations to the app itself (./ or index.html, with any query such as ?algo=). */
+function isAppShellNavigation(request) {
+    if (request.mode !== 'navigate') return false;
+    const path = new URL(request.url).pathname;
+    const scopePath = new URL(self.registration.scope).pathname;
+    return path === scopePath || path === `${scopePath}index.html`;
+}
+
+/** Responses the server marks Cache-Control: no-store (e.g. the dev server's mock EHR) are never cached. */
+function isNoStore(res) {
+    return /(^|,)\s*no-store\s*(,|$)/i.test(res.headers.get('cache-control') || '');
+}
+
+async function respond(event) {
+    const request = event.request;
+    const cache = await caches.open(CACHE_NAME);
+    // App navigations share the cached shell; other pages in scope (dev-mode,
+    // standalone HTML) are cached under their own URL
+    const shell = isAppShellNavigation(request);
+    const url = shell ? scopeUrl('index.html') : request.url;
+    const cached = await cache.match(url);
+    if (cached) {
+        event.waitUntil(refreshCached(cache, url));
+        return cached;
+    }
+    const res = await fetch(request);
+    if (res.ok && !shell && !isNoStore(res)) await cache.put(url, res.clone());
+    return res;
+}
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+    event.respondWith(respond(event));
+});
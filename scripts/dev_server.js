@@ -96,6 +96,7 @@ function contentType(filePath) {
   if (ext === '.css') return 'text/css; charset=utf-8';
   if (ext === '.js') return 'application/javascript; charset=utf-8';
   if (ext === '.json') return 'application/json; charset=utf-8';
+  if (ext === '.webmanifest') return 'application/manifest+json; charset=utf-8';
   if (ext === '.svg') return 'image/svg+xml';
   if (ext === '.png') return 'image/png';
   if (ext === '.jpg' || ext === '.jpeg') return 'image/jpeg';
@@ -106,6 +107,78 @@ function contentType(filePath) {
   return 'application/octet-stream';
 }
 
+// Stand-in for an EHR FHIR server: accepts Bundle POSTs from the session
+// export and keeps them in memory for the lifetime of the process.
+const MOCK_EHR_PATH = '/mock-ehr/fhir/Bundle';
+const MOCK_EHR_MAX_BYTES = 5 * 1024 * 1024;
+const mockEhrBundles = new Map();
+
+function sendFhir(res, status, body, extraHeaders = {}) {
+  const payload = `${JSON.stringify(body, null, 2)}\n`;
+  res.writeHead(status, {
+    'content-type': 'application/fhir+json; charset=utf-8',
+    'content-length': String(Buffer.byteLength(payload)),
+    'cache-control': 'no-store',
+    ...extraHeaders,
+  });
+  res.end(payload);
+}
+
+function operationOutcome(severity, code, diagnostics) {
+  return { resourceType: 'OperationOutcome', issue: [{ severity, code, diagnostics }] };
+}
+
+function handleMockEhr(req, res, reqUrl) {
+  if (reqUrl.pathname !== MOCK_EHR_PATH) {
+    // Read (Bundle/<id>) and version read (Bundle/<id>/_history/<version>)
+    const subPath = reqUrl.pathname.slice(MOCK_EHR_PATH.length + 1);
+    const match = /^([^/]+)(?:\/_history\/([^/]+))?$/.exec(subPath);
+    const stored = match ? mockEhrBundles.get(match[1]) : null;
+    if (req.method === 'GET' && stored && (!match[2] || match[2] === stored.meta.versionId)) {
+      sendFhir(res, 200, stored);
+    } else {
+      sendFhir(res, 404, operationOutcome('error', 'not-found', `Bundle/${subPath} is not stored on this mock EHR`));
+    }
+    return;
+  }
+  if (req.method !== 'POST') {
+    sendFhir(res, 405, operationOutcome('error', 'not-supported', 'Only POST is supported on this endpoint'), { allow: 'POST' });
+    return;
+  }
+
+  const chunks = [];
+  let size = 0;
+  req.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > MOCK_EHR_MAX_BYTES) {
+      sendFhir(res, 413, operationOutcome('error', 'too-costly', 'Bundle is larger than 5 MB'));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => {
+    if (res.writableEnded) return;
+    let bundle;
+    try {
+      bundle = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch (err) {
+      sendFhir(res, 400, operationOutcome('error', 'structure', `Body is not valid JSON: ${err.message}`));
+      return;
+    }
+    if (!bundle || bundle.resourceType !== 'Bundle' || !Array.isArray(bundle.entry)) {
+      sendFhir(res, 422, operationOutcome('error', 'processing', 'Expected a Bundle resource with entries'));
+      return;
+    }
+
+    const id = String(mockEhrBundles.size + 1);
+    const stored = { ...bundle, id, meta: { ...(bundle.meta || {}), versionId: '1', lastUpdated: new Date().toISOString() } };
+    mockEhrBundles.set(id, stored);
+    console.log(`Mock EHR: stored Bundle/${id} (${bundle.type || 'no type'}, ${bundle.entry.length} entries)`);
+    sendFhir(res, 201, stored, { location: `${MOCK_EHR_PATH}/${id}/_history/1` });
+  });
+}
+
 function main() {
   const opts = parseArgs(process.argv.slice(2));
   const rootDir = path.resolve(opts.rootDir);
@@ -117,6 +190,10 @@ function main() {
   const server = http.createServer((req, res) => {
     try {
       const reqUrl = new URL(req.url || '/', `http://${req.headers.host || 'localhost'}`);
+      if (reqUrl.pathname === MOCK_EHR_PATH || reqUrl.pathname.startsWith(`${MOCK_EHR_PATH}/`)) {
+        handleMockEhr(req, res, reqUrl);
+        return;
+      }
       const filePath = resolveFile(rootDir, reqUrl.pathname);
 
       if (!filePath) {
@@ -154,6 +231,7 @@ function main() {
   server.listen(opts.port, opts.host, () => {
     console.log(`Static server running at http://${opts.host}:${opts.port}`);
     console.log(`Serving: ${path.relative(ROOT, rootDir) || rootDir}`);
+    console.log(`Mock EHR: POST FHIR bundles to http://${opts.host}:${opts.port}${MOCK_EHR_PATH} (open the app with ?fhir_endpoint=${MOCK_EHR_PATH})`);
   });
 
   const shutdown = () => {
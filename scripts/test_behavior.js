@@ -10,6 +10,47 @@ const BASE_URL = process.env.BASE_URL || 'http://localhost:3000';
 const ALGORITHMS_INDEX = path.join(ROOT, 'app', 'algorithms', 'index.json');
 const REPORT_DIR = path.join(ROOT, 'appendix', 'guidance', 'warden', 'research', 'reports');
 const REPORT_FILE = path.join(REPORT_DIR, 'behavior_report.json');
+const STORAGE_PREFIX = 'resus-handbook.';
+
+// Decks served in place of algorithms/<file> for logic the bundled decks never reach
+const FIXTURE_DECKS = {
+  'test_repeat_limit.json': {
+    algorithm_meta: { id: 'test_repeat_limit', title: 'Repeat limit fixture', version: '1.0.0' },
+    deck: [
+      { id: 'LOOP_START', type: 'standard', content: { title: 'Loop start' }, transitions: { type: 'linear', next_id: 'LOOP_CHECK' } },
+      {
+        id: 'LOOP_CHECK',
+        type: 'standard',
+        content: { title: 'Loop check' },
+        transitions: { type: 'linear', next_id: 'LOOP_START', repeat_config: { max_repeats: 2, on_max_reached: 'LOOP_DONE' } },
+      },
+      { id: 'LOOP_DONE', type: 'terminal', status: 'complete', content: { title: 'Loop done' } },
+    ],
+  },
+  'test_conditions.json': {
+    algorithm_meta: { id: 'test_conditions', title: 'Condition fixture', version: '1.0.0' },
+    deck: [
+      {
+        id: 'COND_START',
+        type: 'standard',
+        content: { title: 'Conditions' },
+        checklist: [
+          { id: 'chk_shockable', type: 'checkbox', label: 'Shockable rhythm' },
+          { id: 'info_unknown', type: 'instruction', label: 'Unknown identifier', visible_if: 'no_such_item == true' },
+        ],
+        transitions: {
+          type: 'split',
+          options: [
+            { label: 'Shock', target_id: 'COND_END', condition: 'chk_shockable == true', condition_effect: 'disable' },
+            { label: 'No shock', target_id: 'COND_END' },
+            { label: 'Broken', target_id: 'COND_END', condition: 'chk_shockable ==', condition_effect: 'disable' },
+          ],
+        },
+      },
+      { id: 'COND_END', type: 'terminal', status: 'complete', content: { title: 'Conditions done' } },
+    ],
+  },
+};
 
 async function ensureDir(dir) {
   if (!fs.existsSync(dir)) {
@@ -17,24 +58,52 @@ async function ensureDir(dir) {
   }
 }
 
-async function testAlgorithm(page, algoFile, algoId) {
-  console.log(`\nTesting algorithm: ${algoId} (${algoFile})`);
-  const url = `${BASE_URL}/?algo=${encodeURIComponent(algoFile)}`;
-  await page.goto(url, { waitUntil: 'domcontentloaded' });
-  await page.waitForTimeout(500);
+// Close anything the app may open over the wheel: the resume offer, the home
+// screen (only without ?algo=) and a modifier prompt sheet.
+async function dismissPrompts(page, algoFile) {
+  const resumeOffer = page.locator('#modal-overlay.visible .resume-actions button', { hasText: 'Start new' });
+  if (await resumeOffer.isVisible()) await resumeOffer.click();
 
-  const testResults = {
-    id: algoId,
-    file: algoFile,
-    success: true,
-    steps: []
-  };
+  if (await page.locator('#home-screen').isVisible()) {
+    await page.evaluate((file) => window.__WARDEN_AUTOMATION.loadAlgorithm(file), algoFile);
+  }
 
+  const modifierPrompt = page.locator('#modifier-prompt .prompt-dismiss');
+  if (await modifierPrompt.isVisible()) await modifierPrompt.click();
+}
+
+async function getSnapshot(page) {
+  return await page.evaluate(() => window.__WARDEN_AUTOMATION.getSnapshot());
+}
+
+// Every deck starts from empty storage: one browser context is shared, so a
+// saved session or archive from the previous deck would otherwise carry over.
+async function openDeck(page, algoFile) {
+  await page.goto(`${BASE_URL}/?algo=${encodeURIComponent(algoFile)}`, { waitUntil: 'domcontentloaded' });
+  await page.evaluate((prefix) => {
+    Object.keys(localStorage)
+      .filter((key) => key.startsWith(prefix))
+      .forEach((key) => localStorage.removeItem(key));
+  }, STORAGE_PREFIX);
+  await page.reload({ waitUntil: 'domcontentloaded' });
+  await page.waitForTimeout(500);
+  await dismissPrompts(page, algoFile);
+}
+
+function startResults(fields) {
+  const results = { ...fields, success: true, steps: [] };
   const addStep = (name, result, message = '') => {
-    testResults.steps.push({ name, result, message });
-    if (!result) testResults.success = false;
+    results.steps.push({ name, result, message });
+    if (!result) results.success = false;
     console.log(`  [${result ? 'PASS' : 'FAIL'}] ${name} ${message ? '- ' + message : ''}`);
   };
+  return { results, addStep };
+}
+
+async function testAlgorithm(page, algoFile, algoId) {
+  console.log(`\nTesting algorithm: ${algoId} (${algoFile})`);
+  await openDeck(page, algoFile);
+  const { results: testResults, addStep } = startResults({ id: algoId, file: algoFile });
 
   try {
     const wheel = await page.locator('#wheel');
@@ -42,6 +111,7 @@ async function testAlgorithm(page, algoFile, algoId) {
 
     // Helper to perform a drag on the knob
     const dragKnob = async (angleDeltaDeg) => {
+      await dismissPrompts(page, algoFile);
       const knobBox = await knob.boundingBox();
       const wheelBox = await wheel.boundingBox();
       if (!knobBox || !wheelBox) throw new Error('Could not find knob or wheel box');
@@ -90,6 +160,48 @@ async function testAlgorithm(page, algoFile, algoId) {
       return await page.evaluate(() => document.querySelectorAll('.history-card').length);
     };
 
+    const isRequiredGateShowing = async () => {
+      return await page.evaluate(() => !document.getElementById('required-gate').hidden);
+    };
+
+    const forwardDragAmount = -45; // Anticlockwise (forward)
+
+    // Forward past unchecked required items goes through "Proceed anyway".
+    // The first block on each deck is checked in full.
+    let gateChecked = false;
+    const passRequiredGate = async () => {
+      const blocked = await getSnapshot(page);
+      const blockedId = blocked.currentId;
+      if (!gateChecked) {
+        const logged = blocked.sessionLog.some((entry) => entry.type === 'required_blocked' && entry.card_id === blockedId);
+        addStep('Required gate blocks forward', logged, `${blockedId} missing ${blocked.requiredMissing.join(', ')}`);
+      }
+      await page.locator('#required-gate button', { hasText: 'Proceed anyway' }).click();
+      await page.waitForTimeout(100);
+      const after = await getSnapshot(page);
+      if (!gateChecked) {
+        gateChecked = true;
+        addStep('Proceed anyway passes the gate', after.currentId !== blockedId, `Card changed to ${after.currentId}`);
+        addStep('Override is logged', after.sessionLog.some((entry) => entry.type === 'required_override' && entry.card_id === blockedId));
+      }
+      return blockedId;
+    };
+
+    const dragForward = async () => {
+      await dragKnob(forwardDragAmount);
+      if (!(await isRequiredGateShowing())) return;
+      const firstBlock = !gateChecked;
+      const blockedId = await passRequiredGate();
+      if (!firstBlock) return;
+
+      // Reverse is never gated: back onto the blocked card, then through the gate again
+      await dragKnob(-forwardDragAmount);
+      const rewound = await getSnapshot(page);
+      addStep('Reverse is not gated by required items', rewound.currentId === blockedId && !rewound.requiredGate, `Card changed to ${rewound.currentId}`);
+      await dragKnob(forwardDragAmount);
+      if (await isRequiredGateShowing()) await passRequiredGate();
+    };
+
     let startCard = await getActiveCardId();
     console.log('  Start card is:', startCard);
     addStep('Identify start card', !!startCard, startCard);
@@ -97,7 +209,7 @@ async function testAlgorithm(page, algoFile, algoId) {
     // Forward drag
     // Intent is anticlockwise. If we drag from angle -> angle - 30 deg it's anticlockwise math-wise. Let's drag up/left from 330 deg.
     // Negative mathematically is clockwise. Anticlockwise is negative angle delta in screen coords
-    await dragKnob(-45); // This simulates an anticlockwise drag (forward)
+    await dragForward(); // This simulates an anticlockwise drag (forward)
 
     let nextCard = await getActiveCardId();
     console.log('  After dragKnob(-45), active card is:', nextCard);
@@ -120,13 +232,26 @@ async function testAlgorithm(page, algoFile, algoId) {
     const historyAfterR = await getHistoryCount();
     addStep('Reverse intent rewinds 1 step', rewindCard === startCard, `Card changed to ${rewindCard}`);
 
+    // Resume after reload: the session so far is saved and offered back
+    const beforeReload = await getSnapshot(page);
+    await page.reload({ waitUntil: 'domcontentloaded' });
+    await page.waitForTimeout(500);
+    const resumeButton = page.locator('#modal-overlay.visible .resume-primary');
+    const resumeOffered = await resumeButton.isVisible();
+    addStep('Reload offers to resume the session', resumeOffered);
+    if (resumeOffered) {
+      await resumeButton.click();
+      const afterResume = await getSnapshot(page);
+      addStep('Resume restores the same card', afterResume.currentId === beforeReload.currentId, afterResume.currentId);
+      addStep('Resume is logged', afterResume.sessionLog.some((entry) => entry.type === 'session_resumed'));
+    }
+
     // Advance until decision
     let maxIter = 10;
     let decisionReached = false;
-    let forwardDragAmount = -45; // The one that worked
 
     while (maxIter > 0 && !(await isDecisionMode())) {
-      await dragKnob(forwardDragAmount);
+      await dragForward();
       maxIter--;
     }
     decisionReached = await isDecisionMode();
@@ -150,6 +275,7 @@ async function testAlgorithm(page, algoFile, algoId) {
         await page.mouse.move(ocBox.x + ocBox.width / 2, ocBox.y + ocBox.height / 2 + 100, { steps: 5 });
         await page.mouse.up();
         await page.waitForTimeout(200);
+        if (await isRequiredGateShowing()) await passRequiredGate();
 
         let postDecisionCard = await getActiveCardId();
         addStep('Drag-to-center advances decision', postDecisionCard !== decisionCard, `Card changed to ${postDecisionCard}`);
@@ -163,6 +289,79 @@ async function testAlgorithm(page, algoFile, algoId) {
       }
     }
 
+    // Session event log: numbered in order, documented types, card_entered/card_left paired
+    const logProblems = await page.evaluate(() => {
+      const log = window.__WARDEN_AUTOMATION.getSnapshot().sessionLog;
+      const problems = [];
+      if (log.length === 0 || log[0].type !== 'session_started') problems.push('log does not start with session_started');
+      let open = null;
+      log.forEach((entry, idx) => {
+        if (entry.seq !== idx + 1) problems.push(`seq ${entry.seq} at position ${idx + 1}`);
+        if (!Object.prototype.hasOwnProperty.call(SESSION_EVENT_TYPES, entry.type)) problems.push(`undocumented type ${entry.type}`);
+        const key = `${entry.algorithm_id}:${entry.card_id}`;
+        if (entry.type === 'card_entered') {
+          if (open) problems.push(`${key} entered before ${open} was left`);
+          open = key;
+        } else if (entry.type === 'card_left') {
+          if (open !== key) problems.push(`${key} left while ${open} was on screen`);
+          open = null;
+        }
+      });
+      return problems;
+    });
+    addStep('Session log is ordered and documented', logProblems.length === 0, logProblems.slice(0, 3).join('; '));
+
+    // Export/import round trip: the JSON and HTML exports read back as the same session
+    const roundTrip = await page.evaluate(() => {
+      const A = window.__WARDEN_AUTOMATION;
+      const strip = (content) => {
+        const { exported_at, ...record } = JSON.parse(content);
+        return JSON.stringify(record);
+      };
+      const exported = A.exportSession('json');
+      const imported = exported.ok ? A.importSession(exported.content) : exported;
+      if (!imported.ok) return { error: imported.error };
+      const reexported = A.exportSession('json', 'review');
+      const html = A.exportSession('html');
+      const fromHtml = html.ok ? A.importSession(html.content) : html;
+      return {
+        events: JSON.parse(exported.content).events.length,
+        importedEvents: imported.events,
+        sameRecord: reexported.ok && strip(reexported.content) === strip(exported.content),
+        htmlEvents: fromHtml.ok ? fromHtml.events : fromHtml.error,
+      };
+    });
+    if (roundTrip.error) {
+      addStep('JSON export imports back', false, roundTrip.error);
+    } else {
+      addStep('JSON export imports back', roundTrip.sameRecord && roundTrip.importedEvents === roundTrip.events, `${roundTrip.importedEvents}/${roundTrip.events} events`);
+      addStep('HTML report imports back', roundTrip.htmlEvents === roundTrip.events, `${roundTrip.htmlEvents} events`);
+    }
+
+    // FHIR export validates; only doses recorded as given become MedicationAdministration
+    await page.waitForFunction(() => FHIR.definitions || FHIR.error, null, { timeout: 5000 });
+    const fhir = await page.evaluate(() => {
+      const A = window.__WARDEN_AUTOMATION;
+      const administrations = (bundle) => bundle.entry
+        .filter((entry) => entry.resource.resourceType === 'MedicationAdministration').length;
+      A.setPatientWeight(20);
+      const calculated = A.getFhirBundle();
+      if (!calculated.ok) return { error: calculated.error, issues: calculated.issues || [] };
+      const given = A.recordDrugGiven('atropine_iv');
+      const withGiven = A.getFhirBundle();
+      return {
+        error: withGiven.ok ? null : withGiven.error,
+        issues: withGiven.issues || [],
+        before: administrations(calculated.bundle),
+        after: given.ok && withGiven.ok ? administrations(withGiven.bundle) : null,
+      };
+    });
+    addStep('FHIR bundle validates', !fhir.error && fhir.issues.length === 0, fhir.error ? `${fhir.error} ${fhir.issues.join('; ')}` : '');
+    if (!fhir.error) {
+      addStep('Calculated doses are not exported as given', fhir.before === 0, `${fhir.before} MedicationAdministration`);
+      addStep('Given dose is exported as MedicationAdministration', fhir.after === 1, `${fhir.after} MedicationAdministration`);
+    }
+
   } catch (err) {
     addStep('Execution error', false, err.message);
   }
@@ -170,6 +369,209 @@ async function testAlgorithm(page, algoFile, algoId) {
   return testResults;
 }
 
+// The formulary is shared by every deck, so its dose checks run once.
+async function testDrugDoses(page, algoFile) {
+  console.log('\nTesting drug doses');
+  await openDeck(page, algoFile);
+  const { results, addStep } = startResults({ id: 'drug-doses', file: 'formulary/index.json' });
+
+  try {
+    await page.waitForFunction(() => window.__WARDEN_AUTOMATION.calculateDrugDose('atropine_iv', 10) !== null, null, { timeout: 5000 });
+
+    const cases = [
+      { drug: 'atropine_iv', kg: 10, dose: 200, flag: null },
+      { drug: 'atropine_iv', kg: 80, dose: 600, flag: 'over_max' },
+      { drug: 'atropine_iv', kg: 2, dose: 100, flag: 'under_min' },
+      { drug: 'amiodarone_iv_arrest', kg: 80, dose: 300, flag: 'over_max' },
+    ];
+    for (const c of cases) {
+      const result = await page.evaluate(([drug, kg]) => window.__WARDEN_AUTOMATION.calculateDrugDose(drug, kg), [c.drug, c.kg]);
+      const flags = result ? result.flags.map((flag) => flag.type) : [];
+      const pass = !!result && result.dose === c.dose && (c.flag ? flags.includes(c.flag) : flags.length === 0);
+      addStep(`${c.drug} at ${c.kg} kg`, pass, result ? `${result.dose} ${result.unit} (${flags.join(', ') || 'no flags'})` : 'no result');
+    }
+
+    // Age only offers an estimate (never fills one in), and never for a newborn
+    const estimateAt = async (age, drugId) => await page.evaluate(([patientAge, id]) => {
+      const A = window.__WARDEN_AUTOMATION;
+      A.setPatientAge(patientAge);
+      return estimateWeightFromAge(A.getSnapshot().patient, [FORMULARY.drugs[id]]);
+    }, [age, drugId]);
+
+    const newborn = await estimateAt({ age_days: 3 }, 'atropine_iv');
+    addStep('No weight estimate under 28 days', newborn === null);
+    const child = await estimateAt({ age_years: 5 }, 'atropine_iv');
+    addStep('Weight estimate offered for a child', !!child, child ? `${child.kg} kg` : 'none');
+    const newbornDrug = await estimateAt({ age_years: 5 }, 'adrenaline_iv_newborn');
+    addStep('No estimate for a formulary without weight_estimation', newbornDrug === null);
+    const snapshot = await getSnapshot(page);
+    addStep('Setting the age does not fill in a weight', snapshot.weight === null);
+  } catch (err) {
+    addStep('Execution error', false, err.message);
+  }
+
+  return results;
+}
+
+// repeat_config: loop-backs count against max_repeats, then the flow leaves by on_max_reached
+async function testRepeatLimits(page, algoFile) {
+  console.log('\nTesting repeat limits');
+  await openDeck(page, algoFile);
+  const { results, addStep } = startResults({ id: 'repeat-limits', file: 'test_repeat_limit.json' });
+
+  try {
+    const walk = await page.evaluate(async () => {
+      const A = window.__WARDEN_AUTOMATION;
+      const loaded = await A.loadAlgorithm('test_repeat_limit.json');
+      if (!loaded.ok) return { error: loaded.error };
+      const visited = [];
+      for (let i = 0; i < 6; i++) visited.push(A.advance().after_id);
+      const snapshot = A.getSnapshot();
+      return {
+        visited,
+        repeats: snapshot.repeatCounts.LOOP_CHECK,
+        limitLogged: snapshot.sessionLog.some((entry) => entry.type === 'repeat_limit_reached' && entry.card_id === 'LOOP_CHECK'),
+      };
+    });
+    if (walk.error) throw new Error(walk.error);
+    const expected = ['LOOP_CHECK', 'LOOP_START', 'LOOP_CHECK', 'LOOP_START', 'LOOP_CHECK', 'LOOP_DONE'];
+    addStep('Loops back max_repeats times, then takes on_max_reached', expected.every((id, idx) => walk.visited[idx] === id), walk.visited.join(' -> '));
+    addStep('Repeats are counted', walk.repeats === 2, `${walk.repeats} / 2`);
+    addStep('Reaching the limit is logged', walk.limitLogged);
+
+    // Loop, rewind over the loop-back, loop again: the rewound pass is not counted
+    const rewound = await page.evaluate(async () => {
+      const A = window.__WARDEN_AUTOMATION;
+      const loaded = await A.loadAlgorithm('test_repeat_limit.json');
+      if (!loaded.ok) return { error: loaded.error };
+      A.advance();
+      A.advance();
+      A.back();
+      const afterBack = A.getSnapshot().repeatCounts.LOOP_CHECK || 0;
+      const visited = [];
+      for (let i = 0; i < 5; i++) visited.push(A.advance().after_id);
+      return { afterBack, visited };
+    });
+    if (rewound.error) throw new Error(rewound.error);
+    addStep('Rewinding over a loop-back takes back its repeat', rewound.afterBack === 0, `${rewound.afterBack} after rewind`);
+    const expectedAfterRewind = ['LOOP_START', 'LOOP_CHECK', 'LOOP_START', 'LOOP_CHECK', 'LOOP_DONE'];
+    addStep('Loops max_repeats times after a rewind', expectedAfterRewind.every((id, idx) => rewound.visited[idx] === id), rewound.visited.join(' -> '));
+  } catch (err) {
+    addStep('Execution error', false, err.message);
+  }
+
+  return results;
+}
+
+// Bad condition expressions are reported up front; option conditions enable and disable options
+async function testConditions(page, algoFile) {
+  console.log('\nTesting condition expressions');
+  await openDeck(page, algoFile);
+  const { results, addStep } = startResults({ id: 'conditions', file: 'test_conditions.json' });
+
+  try {
+    const outcome = await page.evaluate(async () => {
+      const A = window.__WARDEN_AUTOMATION;
+      const loaded = await A.loadAlgorithm('test_conditions.json');
+      if (!loaded.ok) return { error: loaded.error };
+      const unmet = A.selectDecisionOption(0);
+      const broken = A.selectDecisionOption(2);
+      A.setChecklistValue('chk_shockable', true);
+      const met = A.selectDecisionOption(0);
+      return {
+        errors: A.getModel().algorithm_meta.condition_errors.map((error) => error.field),
+        unknownShown: !!document.querySelector('[data-item-id="info_unknown"]'),
+        unmetDisabled: !unmet.ok,
+        metEnabled: met.ok,
+        brokenEnabled: broken.ok,
+      };
+    });
+    if (outcome.error) throw new Error(outcome.error);
+    addStep('Unknown identifier is reported', outcome.errors.includes('info_unknown.visible_if'), outcome.errors.join(', '));
+    // The condition-less option before it must not shift the reported index
+    addStep('Syntax error is reported at its option index', outcome.errors.includes('transitions.options[2].condition'), outcome.errors.join(', '));
+    addStep('Item with a broken visible_if is still shown', outcome.unknownShown);
+    addStep('Unmet condition disables its option', outcome.unmetDisabled);
+    addStep('Met condition enables its option', outcome.metEnabled);
+    addStep('Broken option condition leaves the option enabled', outcome.brokenEnabled);
+  } catch (err) {
+    addStep('Execution error', false, err.message);
+  }
+
+  return results;
+}
+
+// A session that reaches a terminal card is archived with the deck version it ran on
+async function testSessionArchive(page, algoFile) {
+  console.log('\nTesting session archive');
+  await openDeck(page, algoFile);
+  const { results, addStep } = startResults({ id: 'session-archive', file: algoFile });
+
+  try {
+    const finished = await page.evaluate(() => {
+      const A = window.__WARDEN_AUTOMATION;
+      for (let i = 0; i < 60 && A.getSnapshot().card.type !== 'terminal'; i++) A.advance();
+      return { card: A.getSnapshot().card, meta: A.getModel().algorithm_meta };
+    });
+    addStep('Deck walked to a terminal card', finished.card.type === 'terminal', finished.card.id);
+
+    await page.waitForFunction(() => window.__WARDEN_AUTOMATION.listArchivedSessions().sessions.length > 0, null, { timeout: 5000 });
+    const archived = await page.evaluate(() => {
+      const A = window.__WARDEN_AUTOMATION;
+      const sessions = A.listArchivedSessions().sessions;
+      const opened = A.getArchivedSession(sessions[0].id);
+      const deleted = A.deleteArchivedSession(sessions[0].id);
+      return { sessions, opened, deleted: deleted.ok, left: A.listArchivedSessions().sessions.length };
+    });
+    const row = archived.sessions[0];
+    addStep('One archive entry per session', archived.sessions.length === 1, `${archived.sessions.length} entries`);
+    addStep('Archive records the deck version', row.algorithm.id === finished.meta.id && row.algorithm.version === finished.meta.version, `${row.algorithm.id}@${row.algorithm.version}`);
+    addStep('Archived record opens with its events', archived.opened.ok && archived.opened.record.events.length === row.events, `${row.events} events`);
+    const lastCard = archived.opened.path_cards[archived.opened.path_cards.length - 1];
+    addStep('Archived path ends on the terminal card', !!lastCard && lastCard.title === finished.card.title, lastCard ? lastCard.title : 'no path');
+    addStep('Archive entry can be deleted', archived.deleted && archived.left === 0);
+  } catch (err) {
+    addStep('Execution error', false, err.message);
+  }
+
+  return results;
+}
+
+// Search ranks title matches first, tolerates typos and favours the whole phrase
+async function testSearchRanking(page, algoFile) {
+  console.log('\nTesting search ranking');
+  await openDeck(page, algoFile);
+  const { results, addStep } = startResults({ id: 'search-ranking', file: 'algorithms/index.json' });
+
+  try {
+    const search = async (query) => (await page.evaluate((q) => window.__WARDEN_AUTOMATION.search(q), query)).results;
+
+    const exact = await search('adrenaline');
+    const top = exact[0];
+    addStep('Title match ranks first', !!top && top.field === 'title' && /adrenaline/i.test(top.card_title), top ? `${top.card_title} (${top.field})` : 'no results');
+    addStep('Results are sorted by score', exact.every((result, idx) => idx === 0 || exact[idx - 1].score >= result.score));
+
+    const typo = await search('adrenalin');
+    addStep('A typo finds the same card, scored lower', !!top && typo.length > 0 && typo[0].card_id === top.card_id && typo[0].score < top.score, typo[0] ? `${typo[0].card_title} ${typo[0].score}` : 'no results');
+
+    const phrase = await search('call for help');
+    const hasPhrase = (result) => /call for help/i.test(result.text);
+    const lowestWith = Math.min(...phrase.filter(hasPhrase).map((result) => result.score));
+    const highestWithout = Math.max(0, ...phrase.filter((result) => !hasPhrase(result)).map((result) => result.score));
+    addStep('Whole phrase ranks above scattered words', phrase.some(hasPhrase) && lowestWith > highestWithout, `${lowestWith} > ${highestWithout}`);
+
+    const none = await search('xyzzy');
+    addStep('Unmatched query returns nothing', none.length === 0, `${none.length} results`);
+  } catch (err) {
+    addStep('Execution error', false, err.message);
+  }
+
+  return results;
+}
+
+// Checks of shared logic that run once rather than per deck
+const SHARED_CHECKS = [testDrugDoses, testRepeatLimits, testConditions, testSessionArchive, testSearchRanking];
+
 async function runBehaviorTests() {
   console.log('🚀 Starting Behavior Contract Validation...');
   let indexData;
@@ -187,8 +589,13 @@ async function runBehaviorTests() {
   }
 
   const browser = await chromium.launch();
-  const context = await browser.newContext({ viewport: { width: 390, height: 844 } });
+  // page.route serves the fixture decks; a service worker would fetch past it
+  const context = await browser.newContext({ viewport: { width: 390, height: 844 }, serviceWorkers: 'block' });
   const page = await context.newPage();
+  await page.route('**/algorithms/test_*.json', (route) => {
+    const deck = FIXTURE_DECKS[path.basename(new URL(route.request().url()).pathname)];
+    return deck ? route.fulfill({ json: deck }) : route.continue();
+  });
 
   const report = {
     timestamp: new Date().toISOString(),
@@ -211,6 +618,13 @@ async function runBehaviorTests() {
     }
   }
 
+  report.checks = [];
+  for (const check of SHARED_CHECKS) {
+    const res = await check(page, algorithms[0].file);
+    report.checks.push(res);
+    if (!res.success) allPass = false;
+  }
+
   await browser.close();
 
   await ensureDir(REPORT_DIR);